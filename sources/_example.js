@@ -0,0 +1,34 @@
+/**
+ * Example discovery source plugin.
+ *
+ * Files in sources/ are loaded at startup; names starting with "_" are
+ * skipped, so copy this to e.g. sources/manta.js to enable it.
+ *
+ * Default export: a source object, an array of them, or a factory that
+ * receives the engine helpers (ctx) and returns either.
+ */
+export default ({ randDelay, C }) => ({
+  id: 'manta',
+  name: 'Manta',
+  tag: 'manta',                              // stored in biz.source
+  delayMs: () => randDelay(C.delay, 2000),   // cooldown after each unit
+  maxTabs: 1,                                // parallel discovery tabs on this site
+  isBlocked: $ => /captcha|access denied/i.test($('title').text()),
+
+  async discoverSingle(page, state, cat, city, ctx) {
+    const url = `https://www.manta.com/search?search=${encodeURIComponent(cat)}&city=${encodeURIComponent(city)}&state=${state.abbr}`;
+    const r = await ctx.openListing(this, page, url, 'a[href*="/c/"]', 20000);
+    if (!r || r.blocked) return [];
+    const { $ } = r;
+    const biz = [];
+    $('a[href*="/c/"]').each((_, a) => {
+      const name = $(a).text().trim();
+      if (!name || name.length < 3 || biz.some(b => b.company_name === name)) return;
+      ctx.RE_PHONE.lastIndex = 0;
+      const phone = ($(a).closest('div').parent().text().match(ctx.RE_PHONE) || [])[0] || '';
+      biz.push({ source: 'manta', company_name: name, phone, address: '', city, state: state.name, website: '', industry: cat });
+      ctx.stats.found++;
+    });
+    return biz;
+  }
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAddress } from '../engine.js';
+
+test('a spelled-out post-directional is abbreviated, not dropped', () => {
+  assert.equal(parseAddress('321 Park Avenue South, New York, NY 10010').street, '321 Park Ave S');
+  assert.equal(parseAddress('500 Main Street Northwest, Washington, DC 20001').street, '500 Main St NW');
+  assert.equal(parseAddress('321 Park Avenue South Suite 4, New York, NY 10010').street, '321 Park Ave S');
+  assert.equal(parseAddress('100 Elm St NE, Atlanta, GA 30301').street, '100 Elm St NE');
+});
+
+test('a directional that starts the city stays with the city', () => {
+  const a = parseAddress('123 Main Rd South Bend IN 46601');
+  assert.equal(a.street, '123 Main Rd');
+  assert.equal(a.city, 'South Bend');
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { titleSeniority, pickDecisionMaker } from '../engine.js';
+
+test('titles held on someone else\'s behalf are not that person\'s level', () => {
+  assert.equal(titleSeniority('Owner'), 'Owner/Founder');
+  assert.equal(titleSeniority('Assistant to the Owner'), 'Staff');
+  assert.equal(titleSeniority('Executive Assistant to the CEO'), 'Staff');
+  assert.equal(titleSeniority('Office of the President'), 'Staff');
+  assert.equal(titleSeniority('Office Manager'), 'Manager');
+});
+
+test('principal is owner-level only on its own or as the firm\'s', () => {
+  assert.equal(titleSeniority('Principal'), 'Owner/Founder');
+  assert.equal(titleSeniority('Principal & Founder'), 'Owner/Founder');
+  assert.equal(titleSeniority('Managing Principal'), 'Owner/Founder');
+  assert.equal(titleSeniority('Principal Attorney'), 'Owner/Founder');
+  assert.equal(titleSeniority('Principal Engineer'), 'Staff');
+});
+
+test('the decision maker is a manager or above, else nobody', () => {
+  const tech = { email: 'sam@acme.com', first_name: 'Sam', title: 'Technician' };
+  const mgr = { email: 'pat@acme.com', first_name: 'Pat', title: 'Service Manager' };
+  assert.equal(pickDecisionMaker([tech]), null);
+  assert.equal(pickDecisionMaker([tech, mgr]).email, 'pat@acme.com');
+  assert.equal(pickDecisionMaker([{ email: 'info@acme.com' }]), null);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { extractFirmographics, textHours, formatHours } from '../engine.js';
+
+const areas = text => extractFirmographics(cheerio.load(`<body><p>${text}</p></body>`)).service_area;
+const hours = text => { const week = Array(7).fill(''); textHours(text, week); return formatHours(week); };
+
+test('service area sentences stop at the first word that is not a place', () => {
+  assert.deepEqual(areas('Proudly serving Mesa, Gilbert and Chandler.'), ['Mesa', 'Gilbert', 'Chandler']);
+  assert.deepEqual(areas('Serving Phoenix Since 1995'), ['Phoenix']);
+  assert.deepEqual(areas('Serving The Greater Phoenix Area Since 1995'), ['Greater Phoenix Area']);
+  assert.deepEqual(areas('Serving Scottsdale, Tempe And Mesa For Over 20 Years'), ['Scottsdale', 'Tempe', 'Mesa']);
+  assert.deepEqual(areas('Proudly Serving The Best Tacos In Town'), []);
+  assert.deepEqual(areas('Serving Up Smiles Every Day'), []);
+});
+
+test('hours written with am/pm', () => {
+  assert.equal(hours('Monday - Friday: 8am - 5pm, Saturday 9:00 AM to 1:00 PM, Sunday Closed'), 'Mon–Fri 8:00 AM–5:00 PM; Sat 9:00 AM–1:00 PM; Sun Closed');
+  assert.equal(hours('Mon-Sat 9 - 5pm'), 'Mon–Sat 9:00 AM–5:00 PM');
+});
+
+test('24-hour and bare times', () => {
+  assert.equal(hours('Mon-Fri 08:00-17:00'), 'Mon–Fri 8:00 AM–5:00 PM');
+  assert.equal(hours('Mon - Fri 7:30 - 5:00'), 'Mon–Fri 7:30 AM–5:00 PM');
+  assert.equal(hours('Sat 12:00 - 4:00'), 'Sat 12:00 PM–4:00 PM');
+  assert.equal(hours('Sun 9-5'), '');
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { extractFoodProfile } from '../engine.js';
+
+const profile = html => extractFoodProfile(cheerio.load(html), 'https://example.com/', html);
+
+test('Tock is only detected on its own hosts', () => {
+  assert.deepEqual(profile('<img src="https://image.shutterstock.com/x.jpg"><a href="https://www.istock.com/photo">iStock</a> livestock.com/').reservations, []);
+  assert.deepEqual(profile('<a href="https://www.exploretock.com/joes">Book</a>').reservations, ['Tock']);
+  assert.deepEqual(profile('<a href="https://tock.com/joes">Book</a>').reservations, ['Tock']);
+});
+
+test('catering comes from links and headings, not negated text', () => {
+  assert.equal(profile('<p>Sorry, we do not offer catering at this time.</p>').catering, false);
+  assert.equal(profile('<h2>No catering</h2>').catering, false);
+  assert.equal(profile('<nav><a href="/catering">Catering</a></nav>').catering, true);
+  assert.equal(profile('<h2>Catering &amp; Events</h2>').catering, true);
+});
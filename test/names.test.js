@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { foldName, emailNameParts, parseName } from '../engine.js';
+
+test('foldName strips accents and transliterates letters NFD leaves alone', () => {
+  assert.equal(foldName('José'), 'jose');
+  assert.equal(foldName("O'Brien"), 'obrien');
+  assert.equal(foldName('Łukasz'), 'lukasz');
+  assert.equal(foldName('Søren'), 'soren');
+  assert.equal(foldName('Weiß'), 'weiss');
+  assert.equal(foldName('Ærø'), 'aero');
+  assert.equal(foldName('Đorđević'), 'dordevic');
+  assert.equal(foldName('Þórður'), 'thordur');
+  assert.equal(foldName('Smith-Jones'), 'smith-jones');
+});
+
+test('names that do not fold to a-z are skipped', () => {
+  assert.equal(foldName('Иван'), '');
+  assert.equal(emailNameParts('Иван', 'Петров'), null);
+  assert.deepEqual(emailNameParts('Łukasz', 'Wróbel'), { first: 'lukasz', middle: '', last: 'wrobel', surname: 'wrobel', lastVariants: ['wrobel'] });
+});
+
+test('a trade or business word in last place marks a business, a surname elsewhere does not', () => {
+  assert.equal(parseName('Smith Plumbing'), null);
+  assert.equal(parseName('Smith Dental LLC'), null);
+  assert.equal(parseName('Our Team'), null);
+  assert.equal(parseName('Learn More'), null);
+  assert.equal(parseName('Thomas More').last, 'More');
+  assert.equal(parseName('Jude Law').last, 'Law');
+  assert.equal(parseName('Dr. Anna Day, DDS').last, 'Day');
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResolver, matchEntity } from '../engine.js';
+
+const branch = (city, extra = {}) => ({ company_name: 'Roto-Rooter Plumbing & Water Cleanup', phone: '(800) 768-6911', city, state: 'AZ', source: 'yellowpages', ...extra });
+
+test('franchise branches sharing one 800 number stay separate locations of one brand', () => {
+  const r = createResolver();
+  const phx = r.add(branch('Phoenix')), mesa = r.add(branch('Mesa'));
+  assert.equal(mesa.merged, false);
+  assert.equal(r.records.length, 2);
+  assert.equal(phx.biz.brand_key, mesa.biz.brand_key);
+  assert.ok(r.records.every(b => b.chain));
+});
+
+test('a shared phone in the same locality is still a match', () => {
+  assert.equal(matchEntity(branch('Phoenix'), branch('Phoenix', { company_name: 'Roto Rooter' })), 'phone');
+  assert.equal(matchEntity(branch('Phoenix'), branch('')), 'phone');
+  assert.equal(matchEntity(branch('Phoenix'), branch('Mesa')), '');
+});
+
+test('an enriched record keeps its website when another listing has a different domain', () => {
+  const r = createResolver();
+  const joe = { company_name: "Joe's Plumbing", phone: '(602) 555-0142', city: 'Phoenix', state: 'AZ', source: 'yelp' };
+  const first = r.add({ ...joe, website: 'http://joesplumbing.com', enriched_at: '2026-01-01T00:00:00Z' }).biz;
+  r.add({ ...joe, source: 'bbb', website: 'https://joesplumbingaz.com' });
+  assert.equal(first.website, 'http://joesplumbing.com');
+  r.add({ ...joe, source: 'yellowpages', website: 'https://www.joesplumbing.com' });
+  assert.equal(first.website, 'https://www.joesplumbing.com');
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { C, SHEET_HEADERS, openSinks, writeSinks, closeSinks, sinkFiles } from '../engine.js';
+
+const row = (company, id) => [...SHEET_HEADERS.slice(0, -1).map((h, i) => (i === 4 ? company : '')), id];
+
+test('file outputs write one header per file and replace a business written again', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'sinks-'));
+  try {
+    C.outDir = dir;
+    await openSinks(['csv', 'jsonl'], ['Arizona']);
+    await writeSinks('Arizona', [row('Acme', 'aaaa-1'), row('Acme', 'aaaa-2'), row('Best', 'bbbb-0')]);
+    await writeSinks('Arizona', [row('Acme Plumbing', 'aaaa-1')]);
+    await closeSinks();
+    const [csv, jsonl] = sinkFiles();
+    assert.match(csv, /discovery-AZ-\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d\.csv$/);
+    const lines = readFileSync(csv, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 3);
+    assert.equal(lines[0], SHEET_HEADERS.join(','));
+    assert.deepEqual(lines.slice(1).map(l => l.split(',')[4]), ['Acme Plumbing', 'Best']);
+    const objs = readFileSync(jsonl, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(objs.map(o => o['Row ID']), ['aaaa-1', 'bbbb-0']);
+  } finally { rmSync(dir, { recursive: true, force: true }); }
+});
@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { C, verifyMailboxes, isVerifiedConf } from '../engine.js';
+
+// Stand-in MX: ok.test has one mailbox, catchall.test takes anything, grey.test
+// answers 450 to the first session and knows bob from then on
+const MAILBOXES = new Set(['jane@ok.test']);
+let server, greySessions = 0;
+
+before(async () => {
+  server = net.createServer(sock => {
+    let buf = '';
+    sock.write('220 stand-in ESMTP\r\n');
+    sock.on('data', d => {
+      buf += d;
+      for (let i; (i = buf.indexOf('\r\n')) >= 0;) {
+        const line = buf.slice(0, i); buf = buf.slice(i + 2);
+        const rcpt = line.match(/^RCPT TO:<(.+)>/i)?.[1].toLowerCase();
+        if (/^(EHLO|HELO|MAIL FROM)/i.test(line)) sock.write('250 ok\r\n');
+        else if (/^QUIT/i.test(line)) sock.end('221 bye\r\n');
+        else if (!rcpt) sock.write('500 what\r\n');
+        else if (rcpt.endsWith('@catchall.test') || MAILBOXES.has(rcpt)) sock.write('250 ok\r\n');
+        else if (rcpt.endsWith('@grey.test')) sock.write(greySessions++ < 2 ? '450 4.7.1 try later\r\n' : rcpt === 'bob@grey.test' ? '250 ok\r\n' : '550 5.1.1 no such user\r\n');
+        else sock.write('550 5.1.1 no such user\r\n');
+      }
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  Object.assign(C, { smtpHost: '127.0.0.1', smtpPort: server.address().port, smtpFrom: 'probe@example.com', smtpHostDelay: 0, smtpTimeout: 2000, smtpGreylistRetries: 1, smtpGreylistWaitMs: 0 });
+});
+after(() => server.close());
+
+test('accepted, rejected and catch-all mailboxes', async () => {
+  const res = await verifyMailboxes(['jane@ok.test', 'nobody@ok.test', 'anyone@catchall.test']);
+  assert.equal(res.get('jane@ok.test'), 'mailbox_ok');
+  assert.equal(res.get('nobody@ok.test'), 'mailbox_rejected');
+  assert.equal(res.get('anyone@catchall.test'), 'catch_all');
+});
+
+test('catch-all is not counted as verified', () => {
+  assert.equal(isVerifiedConf('mailbox_ok'), true);
+  assert.equal(isVerifiedConf('catch_all'), false);
+  assert.equal(isVerifiedConf('inferred_catch_all'), false);
+});
+
+test('a greylisted domain is answered on the deferred retry, not by sleeping', async () => {
+  assert.equal((await verifyMailboxes(['bob@grey.test'])).get('bob@grey.test'), 'unknown');
+  assert.equal((await verifyMailboxes(['bob@grey.test'])).get('bob@grey.test'), 'mailbox_ok');
+});
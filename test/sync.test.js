@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SHEET_HEADERS, syncRowId } from '../engine.js';
+
+const ID = SHEET_HEADERS.length - 1;
+const cells = (company, email, id = '') => Object.assign(Array(SHEET_HEADERS.length).fill(''), { 2: email, 4: company, [ID]: id });
+const want = new Map([['aaaa-1', cells('Acme', 'jo@acme.com', 'aaaa-1')]]);
+const legacy = new Map([['acme|jo@acme.com', 'aaaa-1']]);
+
+test('rows match on Row ID, else on Company + Email', () => {
+  assert.equal(syncRowId(cells('Acme', 'jo@acme.com', 'aaaa-1'), want, legacy), 'aaaa-1');
+  assert.equal(syncRowId(cells('Acme', 'jo@acme.com'), want, legacy), 'aaaa-1');
+  assert.equal(syncRowId(cells('ACME', 'JO@acme.com', 'ffff-9'), want, legacy), 'aaaa-1');
+});
+
+test('an unknown row keeps its own ID', () => {
+  assert.equal(syncRowId(cells('Other', 'x@other.com', 'ffff-9'), want, legacy), 'ffff-9');
+  assert.equal(syncRowId(cells('Other', 'x@other.com'), want, legacy), '');
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { detectTech } from '../engine.js';
+
+const tech = (html, headers = {}) => detectTech(cheerio.load(html), { data: html, url: 'https://example.com/', headers });
+
+test('visible text never counts as a signature', () => {
+  const t = tech('<body><p>We book through servicetitan.com a plus!</p><p>Files live in /wp-content/ on old sites.</p></body>');
+  assert.deepEqual(t.booking, []);
+  assert.deepEqual(t.builder, []);
+});
+
+test('asset URLs, inline snippets, meta tags and headers do', () => {
+  const t = tech(`<head><meta name="generator" content="WordPress 6.5">
+    <script src="https://www.googletagmanager.com/gtag/js?id=G-ABC123"></script>
+    <script>!function(f,b,e,v,n,t,s){t.src='https://connect.facebook.net/en_US/fbevents.js'}(); fbq('init', '1');</script>
+    <script type="application/ld+json">{"description": "Book at servicetitan.com"}</script>
+    <link rel="stylesheet" href="/wp-content/themes/x/style.css"></head>
+    <body><iframe src="https://calendly.com/joe/30min"></iframe></body>`, { 'x-shopid': '1' });
+  assert.deepEqual(t.builder, ['WordPress', 'Shopify']);
+  assert.deepEqual(t.analytics, ['Google Analytics 4']);
+  assert.deepEqual(t.ads, ['Meta Pixel']);
+  assert.deepEqual(t.booking, ['Calendly']);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { domainSimilarity, pageMentions } from '../engine.js';
+
+const joe = { company_name: "Joe's Plumbing LLC", phone: '(602) 555-0142', city: 'Phoenix' };
+
+test('trade words in a domain earn no credit', () => {
+  assert.equal(domainSimilarity(joe.company_name, 'plumbing.com'), 0);
+  assert.equal(domainSimilarity(joe.company_name, 'bobsplumbing.com'), 0);
+  assert.equal(domainSimilarity(joe.company_name, 'phoenixplumbing.com', 'Phoenix'), 0);
+  assert.equal(domainSimilarity(joe.company_name, 'joesplumbing.com'), 1);
+  assert.equal(domainSimilarity(joe.company_name, 'local.joesplumbing.com'), 1);
+  assert.ok(domainSimilarity(joe.company_name, 'joesplumbingaz.com') > 0.5);
+});
+
+test('a page only identifies the business by a distinctive word or the phone', () => {
+  const generic = pageMentions('<title>Phoenix Plumbing Experts</title><body>Best plumbing in Phoenix</body>', joe);
+  assert.equal(generic.distinct, false);
+  assert.equal(generic.name, 0);
+  assert.equal(generic.city, true);
+  const own = pageMentions('<body>Joe\'s Plumbing — call <a href="tel:6025550142">us</a></body>', joe);
+  assert.equal(own.distinct, true);
+  assert.equal(own.name, 1);
+  assert.equal(own.phone, true);
+});